@@ -0,0 +1,10 @@
+// Clarification letter content shared by the client's DOCX download (App.jsx) and the server's email (server.cjs)
+export const buildClarificationLetter = (report, round, sender) => ({
+    subject: `Request for Clarification No. ${round.round} – ${report.projectTitle}`,
+    date: new Date(round.createdAt).toLocaleDateString(),
+    salutation: `Dear ${report.vendorName},`,
+    intro: `Thank you for your proposal for "${report.projectTitle}". Following our evaluation, we request your written clarification of the points below. Please answer each question by its number${round.replyBy ? ` no later than ${new Date(round.replyBy).toLocaleDateString()}` : ''}. Clarifications must not change your offered price unless expressly requested.`,
+    questions: round.questions,
+    closing: 'Your answers will form part of your offer. We look forward to your response.',
+    signature: [sender?.name, sender?.company, sender?.email].filter(Boolean)
+});
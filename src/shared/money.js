@@ -0,0 +1,12 @@
+// Currency conversion shared by the client (App.jsx) and the server (server.cjs, which loads this ES module with require()).
+// settings/fx_rates holds units of each currency per 1 unit of the table's base currency.
+export const DEFAULT_FX_RATES = { base: 'USD', rates: { USD: 1 } };
+
+// Returns null when either currency is missing from the rate table
+export const convertMoney = (money, toCurrency, fxRates = DEFAULT_FX_RATES) => {
+    if (!money?.currency || !Number.isFinite(money.amount)) return null;
+    if (money.currency === toCurrency) return money.amount;
+    const from = fxRates.rates?.[money.currency];
+    const to = fxRates.rates?.[toCurrency];
+    return from && to ? Math.round(money.amount / from * to * 100) / 100 : null;
+};
@@ -0,0 +1,57 @@
+// Scoring rules shared by the client (App.jsx) and the server (server.cjs, which loads this ES module with require()).
+// Keep it free of browser and Node APIs so both sides always rank, search and chart with the same numbers.
+
+// Procurement Categories
+export const CATEGORY_ENUM = ["MANDATORY", "COMMERCIAL", "TECHNICAL", "LEGAL", "HSE/QUALITY", "TIMELINE", "OTHER"];
+
+export const FLAG_SCORES = { 'COMPLIANT': 1, 'PARTIAL': 0.5, 'NON-COMPLIANT': 0 };
+
+// Default scoring: every category counts equally and nothing is a knock-out
+export const DEFAULT_WEIGHTING = {
+    weights: Object.fromEntries(CATEGORY_ENUM.map(category => [category, 1])),
+    knockOutCategories: []
+};
+
+// --- EVALUATOR OVERRIDES ---
+// An evaluator's correction is stored as finding.override = { flag, complianceScore, category, procurementAction,
+// justification, by, at } next to the untouched AI values, and every change is appended to report.overrideLog.
+export const OVERRIDE_FIELDS = ['flag', 'complianceScore', 'category', 'procurementAction'];
+
+// The values scoring, ranking and exports use: the evaluator's where there is an override, else the AI's
+export const getEffectiveFinding = (finding) => finding.override
+    ? { ...finding, ...Object.fromEntries(OVERRIDE_FIELDS.map(field => [field, finding.override[field]])) }
+    : finding;
+
+export const getEffectiveFindings = (report) => (report.findings || []).map(getEffectiveFinding);
+
+// Weighted average of finding scores by category. A NON-COMPLIANT finding in a knock-out category fails the bid.
+export const getScoreSummary = (report, weighting) => {
+    const scheme = weighting || report.weighting || DEFAULT_WEIGHTING;
+    const weights = { ...DEFAULT_WEIGHTING.weights, ...(scheme.weights || {}) };
+    const knockOutCategories = scheme.knockOutCategories || [];
+    const findings = getEffectiveFindings(report);
+
+    let totalScore = 0, maxScore = 0;
+    findings.forEach(item => {
+        let score = item.complianceScore || 0;
+        // Validated reports always score 0/0.5/1; only reports saved before validation can hold percentages
+        if (!report.validation && score > 1) { score = score / 100; }
+        const weight = weights[item.category] ?? weights.OTHER;
+        totalScore += score * weight;
+        maxScore += weight;
+    });
+
+    const knockOutFindings = findings.filter(item => item.flag === 'NON-COMPLIANT' && knockOutCategories.includes(item.category));
+    return {
+        percentage: maxScore > 0 ? parseFloat(((totalScore / maxScore) * 100).toFixed(1)) : 0,
+        knockedOut: knockOutFindings.length > 0,
+        knockOutFindings
+    };
+};
+
+// --- VENDOR CLARIFICATIONS ---
+// The server claims a round (ANSWERING) while it re-scores; a claim left by a failed server run (e.g. a restart
+// mid-call) expires after this long and the round can be answered again
+export const CLARIFICATION_CLAIM_MS = 10 * 60 * 1000;
+
+export const isRoundAnswerable = (round, now = Date.now()) => round.status === 'OPEN' || (round.status === 'ANSWERING' && now - round.claimedAt >= CLARIFICATION_CLAIM_MS);